@@ -0,0 +1,37 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+const createCourt = (admin) =>
+  t.request("POST", "/courts", {
+    as: admin,
+    body: { name: "Court 9", type: "Tennis", price: 20, image: "court.png", availableSlots: ["08:00 - 09:00"] },
+    headers: { "X-Forwarded-For": "203.0.113.7" },
+  });
+
+test("without a trusted proxy audit entries ignore X-Forwarded-For", async () => {
+  const admin = await t.createUser("admin");
+  assert.equal((await createCourt(admin)).status, 201);
+
+  const entry = await t.db.collection("auditLog").findOne({ action: "create", entity: "court" });
+  assert.match(entry.ip, /127\.0\.0\.1$/);
+});
+
+test("audit entries record the client address forwarded by a trusted proxy", async () => {
+  // What TRUST_PROXY=1 sets, as on Vercel
+  t.app.set("trust proxy", 1);
+  const admin = await t.createUser("admin");
+  const res = await createCourt(admin);
+  t.app.set("trust proxy", false);
+  assert.equal(res.status, 201);
+
+  const entry = await t.db.collection("auditLog").findOne({ action: "create", entity: "court" });
+  assert.equal(entry.ip, "203.0.113.7");
+});
@@ -0,0 +1,98 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+// Token from the last password link sent to `email`
+const lastPasswordToken = (email) => {
+  const message = t.notifications.filter((n) => n.event === "password_setup" && n.to === email).pop();
+  return message && message.text.match(/token=(\w+)/)[1];
+};
+
+test("registering an existing account without a password points to the setup link", async () => {
+  const legacy = await t.createUser("admin");
+
+  const res = await t.request("POST", "/auth/register", {
+    body: { name: "Legacy", email: legacy.email, password: "secret123" },
+  });
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /no password yet/);
+});
+
+test("registering the email of a deleted account says it was deleted", async () => {
+  const deleted = await t.createUser("user", { deletedAt: new Date() });
+
+  const res = await t.request("POST", "/auth/register", {
+    body: { name: "Deleted", email: deleted.email, password: "secret123" },
+  });
+
+  assert.equal(res.status, 409);
+  assert.match(res.body.error, /deleted/);
+  // No dead end: nothing suggests a link that would never be sent
+  assert.doesNotMatch(res.body.error, /link/);
+  assert.equal((await t.request("POST", "/auth/password/request", { body: { email: deleted.email } })).status, 202);
+  assert.equal(lastPasswordToken(deleted.email), undefined);
+});
+
+test("accounts without a password are claimed through an emailed link", async () => {
+  const legacy = await t.createUser("admin");
+  const login = { email: legacy.email, password: "secret123" };
+  assert.equal((await t.request("POST", "/auth/login", { body: login })).status, 401);
+
+  const requested = await t.request("POST", "/auth/password/request", { body: { email: legacy.email } });
+  assert.equal(requested.status, 202);
+  const token = lastPasswordToken(legacy.email);
+  assert.ok(token);
+
+  const set = await t.request("POST", "/auth/password", { body: { token, password: "secret123" } });
+  assert.equal(set.status, 200);
+  assert.equal(set.body.user.passwordHash, undefined);
+  assert.match(set.headers.get("set-cookie"), /token=/);
+
+  const res = await t.request("POST", "/auth/login", { body: login });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.role, "admin");
+});
+
+test("password links work once", async () => {
+  const user = await t.createUser("user");
+  await t.request("POST", "/auth/password/request", { body: { email: user.email } });
+  const token = lastPasswordToken(user.email);
+
+  assert.equal((await t.request("POST", "/auth/password", { body: { token, password: "secret123" } })).status, 200);
+  assert.equal((await t.request("POST", "/auth/password", { body: { token, password: "another1" } })).status, 400);
+});
+
+test("expired password links are refused", async () => {
+  const user = await t.createUser("user");
+  await t.request("POST", "/auth/password/request", { body: { email: user.email } });
+  await t.db.collection("passwordTokens").updateMany({}, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+  const res = await t.request("POST", "/auth/password", {
+    body: { token: lastPasswordToken(user.email), password: "secret123" },
+  });
+  assert.equal(res.status, 400);
+});
+
+test("unknown emails get the same answer and no email", async () => {
+  const res = await t.request("POST", "/auth/password/request", { body: { email: "nobody@test.dev" } });
+  assert.equal(res.status, 202);
+  assert.equal(t.notifications.length, 0);
+});
+
+test("admin-created users are sent a link, hidden from the outbox listing", async () => {
+  const admin = await t.createUser("admin");
+  const res = await t.request("POST", "/users", { as: admin, body: { name: "New", email: "new@test.dev" } });
+  assert.equal(res.status, 201);
+  assert.ok(lastPasswordToken("new@test.dev"));
+
+  const outbox = await t.request("GET", "/notifications?event=password_setup", { as: admin });
+  assert.equal(outbox.body.notifications.length, 1);
+  assert.equal(outbox.body.notifications[0].text, "[redacted]");
+});
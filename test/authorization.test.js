@@ -0,0 +1,256 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+const id = new ObjectId().toString();
+
+// Routes only admins may call, with the status an admin gets. Auth runs before
+// validation, so no body is needed: admins get past it to a 400 or 404.
+const ADMIN_ROUTES = [
+  ["GET", "/audit", 200],
+  ["GET", "/courts?deleted=true", 200],
+  ["POST", `/courts/${id}/price-preview`, 400],
+  ["POST", "/courts", 400],
+  ["PUT", `/courts/${id}`, 404],
+  ["DELETE", `/courts/${id}`, 404],
+  ["POST", `/courts/${id}/restore`, 404],
+  ["POST", `/courts/${id}/closures`, 400],
+  ["DELETE", `/courts/${id}/closures/${id}`, 404],
+  ["GET", `/courts/${id}/calendar`, 404],
+  ["POST", `/courts/${id}/calendar/rotate`, 404],
+  ["PUT", `/bookings/${id}/status`, 400],
+  ["PUT", `/bookings/${id}/payment`, 400],
+  ["PUT", `/bookings/series/${id}/status`, 400],
+  ["GET", "/notifications", 200],
+  ["GET", "/users", 200],
+  ["POST", "/users", 400],
+  ["DELETE", `/users/${id}`, 404],
+  ["POST", `/users/${id}/restore`, 404],
+  ["GET", "/memberships", 200],
+  ["POST", "/memberships", 400],
+  ["GET", "/coupons?deleted=true", 200],
+  ["POST", "/coupons", 400],
+  ["PUT", `/coupons/${id}`, 404],
+  ["DELETE", `/coupons/${id}`, 404],
+  ["POST", `/coupons/${id}/restore`, 404],
+  ["GET", "/announcements?deleted=true", 200],
+  ["POST", "/announcements", 400],
+  ["PUT", `/announcements/${id}`, 400],
+  ["DELETE", `/announcements/${id}`, 404],
+  ["POST", `/announcements/${id}/restore`, 404],
+  ["GET", "/admin/stats/revenue", 200],
+  ["GET", "/admin/stats/utilization", 200],
+  ["GET", "/admin/stats/funnel", 200],
+  ["GET", "/admin/stats/coupons", 200],
+  ["GET", "/admin/stats/users", 200],
+  ["GET", "/admin/stats/top-users", 200],
+  ["GET", "/admin/invoices/export", 200],
+  ["GET", "/admin/export/bookings", 200],
+  ["POST", "/admin/import/courts", 400],
+  ["POST", "/admin/import/coupons", 400],
+];
+
+for (const [method, path, expected] of ADMIN_ROUTES) {
+  test(`${method} ${path} is admin only`, async () => {
+    const user = await t.createUser("user");
+    const member = await t.createUser("member");
+    const admin = await t.createUser("admin");
+
+    assert.equal((await t.request(method, path)).status, 401, "anonymous");
+    assert.equal((await t.request(method, path, { as: user })).status, 403, "user");
+    assert.equal((await t.request(method, path, { as: member })).status, 403, "member");
+    const res = await t.request(method, path, { as: admin });
+    assert.equal(res.status, expected, `admin got ${res.status}: ${res.text}`);
+  });
+}
+
+test("an invalid token is rejected", async () => {
+  const res = await t.request("GET", "/users", { as: { token: "not-a-jwt" } });
+  assert.equal(res.status, 401);
+});
+
+test("a deleted admin loses access", async () => {
+  const admin = await t.createUser("admin", { deletedAt: new Date() });
+  assert.equal((await t.request("GET", "/users", { as: admin })).status, 401);
+});
+
+test("a deleted user's access token stops working until they are restored", async () => {
+  const user = await t.createUser("user");
+  const admin = await t.createUser("admin");
+  const court = await t.createCourt();
+  const booking = () => ({
+    courtId: court._id.toString(),
+    userId: user._id.toString(),
+    userEmail: user.email,
+    slots: ["08:00 - 09:00"],
+    date: nextDate().toISOString().slice(0, 10),
+  });
+
+  assert.equal((await t.request("DELETE", `/users/${user._id}`, { as: admin })).status, 200);
+  assert.equal((await t.request("POST", "/bookings", { as: user, body: booking() })).status, 401);
+  assert.equal((await t.request("GET", "/me", { as: user })).status, 401);
+
+  assert.equal((await t.request("POST", `/users/${user._id}/restore`, { as: admin })).status, 200);
+  assert.equal((await t.request("POST", "/bookings", { as: user, body: booking() })).status, 201);
+});
+
+test("booking series need an active membership", async () => {
+  const user = await t.createUser("user");
+  const member = await t.createUser("member");
+  const lapsed = await t.createUser("member");
+  const admin = await t.createUser("admin");
+  await t.db.collection("memberships").updateMany({ userEmail: lapsed.email }, { $set: { status: "expired" } });
+  const court = await t.createCourt();
+  const series = (caller) => ({
+    courtId: court._id.toString(),
+    userId: caller._id.toString(),
+    userEmail: caller.email,
+    slots: ["08:00 - 09:00"],
+    startDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    frequency: "weekly",
+    occurrences: 2,
+  });
+
+  assert.equal((await t.request("POST", "/bookings/series", { body: series(user) })).status, 401);
+  assert.equal((await t.request("POST", "/bookings/series", { as: user, body: series(user) })).status, 403);
+  assert.equal((await t.request("POST", "/bookings/series", { as: lapsed, body: series(lapsed) })).status, 403);
+  assert.equal((await t.request("POST", "/bookings/series", { as: member, body: series(member) })).status, 201);
+  // Not even members may book for someone else
+  assert.equal((await t.request("POST", "/bookings/series", { as: member, body: series(user) })).status, 403);
+  assert.equal((await t.request("POST", "/bookings/series", { as: admin, body: { ...series(user), slots: ["09:00 - 10:00"] } })).status, 201);
+});
+
+test("bookings can only be created for yourself", async () => {
+  const user = await t.createUser("user");
+  const other = await t.createUser("user");
+  const admin = await t.createUser("admin");
+  const court = await t.createCourt();
+  const booking = (owner) => ({
+    courtId: court._id.toString(),
+    userId: owner._id.toString(),
+    userEmail: owner.email,
+    slots: ["08:00 - 09:00"],
+    date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+  });
+
+  assert.equal((await t.request("POST", "/bookings", { body: booking(user) })).status, 401);
+  assert.equal((await t.request("POST", "/bookings", { as: other, body: booking(user) })).status, 403);
+  assert.equal((await t.request("POST", "/bookings", { as: admin, body: booking(user) })).status, 201);
+});
+
+// Routes scoped to one owner's booking, series, waitlist entry or membership.
+// Each builds its own fixtures; the owner and admins pass, everybody else is refused.
+let days = 7;
+const nextDate = () => new Date(Date.now() + ++days * 24 * 60 * 60 * 1000);
+const bookingFor = (owner, court, overrides) => t.createBooking(owner, court, { date: nextDate(), ...overrides });
+
+const OWNER_ROUTES = {
+  "POST /create-payment-intent": async (owner, court) => {
+    const booking = await bookingFor(owner, court, { status: "approved" });
+    return ["POST", "/create-payment-intent", { bookingId: booking._id.toString() }];
+  },
+  "POST /create-payment-intent for a series": async (owner, court) => {
+    const { insertedId } = await t.db.collection("bookingSeries").insertOne({ userEmail: owner.email, courtId: court._id });
+    await bookingFor(owner, court, { status: "approved", seriesId: insertedId });
+    return ["POST", "/create-payment-intent", { seriesId: insertedId.toString() }];
+  },
+  "POST /validate-coupon": async (owner, court) => {
+    const booking = await bookingFor(owner, court, { status: "approved" });
+    await t.db.collection("coupons").updateOne(
+      { code: "SUMMER" },
+      { $set: { code: "SUMMER", discount: 10, discountType: "percent", status: "active", deletedAt: null } },
+      { upsert: true }
+    );
+    return ["POST", "/validate-coupon", { code: "SUMMER", bookingId: booking._id.toString() }];
+  },
+  "POST /payment-success": async (owner, court) => {
+    const booking = await bookingFor(owner, court, { status: "approved" });
+    const intent = await t.stripe.paymentIntents.create({ amount: 2000, metadata: { bookingId: booking._id.toString() } });
+    intent.status = "succeeded";
+    return ["POST", "/payment-success", { bookingId: booking._id.toString(), transactionId: intent.id }];
+  },
+  "POST /bookings/:id/cancel": async (owner, court) => {
+    const booking = await bookingFor(owner, court, {});
+    return ["POST", `/bookings/${booking._id}/cancel`, {}];
+  },
+  "DELETE /bookings/:id": async (owner, court) => {
+    const booking = await bookingFor(owner, court, {});
+    return ["DELETE", `/bookings/${booking._id}`];
+  },
+  "GET /bookings/:id/invoice": async (owner, court) => {
+    const booking = await bookingFor(owner, court, { status: "confirmed", paymentStatus: "paid" });
+    return ["GET", `/bookings/${booking._id}/invoice`];
+  },
+  "GET /bookings/series/:id": async (owner, court) => {
+    const { insertedId } = await t.db.collection("bookingSeries").insertOne({ userEmail: owner.email, courtId: court._id });
+    return ["GET", `/bookings/series/${insertedId}`];
+  },
+  "POST /waitlist/:id/accept": async (owner, court) => {
+    const date = nextDate().toISOString().slice(0, 10);
+    const { insertedId } = await t.db.collection("waitlist").insertOne({
+      userEmail: owner.email,
+      courtId: court._id,
+      date,
+      slot: "08:00 - 09:00",
+      status: "offered",
+      offerExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      createdAt: new Date(),
+    });
+    // The offered slot is held for the entry
+    await t.db.collection("slotReservations").insertOne({ courtId: court._id, date, slot: "08:00 - 09:00", bookingId: insertedId });
+    return ["POST", `/waitlist/${insertedId}/accept`];
+  },
+  "DELETE /waitlist/:id": async (owner, court) => {
+    const { insertedId } = await t.db.collection("waitlist").insertOne({
+      userEmail: owner.email,
+      courtId: court._id,
+      date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      slot: "08:00 - 09:00",
+      status: "waiting",
+      createdAt: new Date(),
+    });
+    return ["DELETE", `/waitlist/${insertedId}`];
+  },
+  "POST /memberships/:id/cancel": async (owner) => {
+    const { insertedId } = await t.db.collection("memberships").insertOne({
+      userEmail: owner.email,
+      plan: "monthly",
+      status: "active",
+      source: "stripe",
+      stripeSubscriptionId: `sub_${new ObjectId()}`,
+      startsAt: new Date(),
+      endsAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      createdAt: new Date(),
+    });
+    return ["POST", `/memberships/${insertedId}/cancel`, {}];
+  },
+};
+
+for (const [name, setup] of Object.entries(OWNER_ROUTES)) {
+  test(`${name} is limited to the owner and admins`, async () => {
+    const owner = await t.createUser("user");
+    const member = await t.createUser("member");
+    const other = await t.createUser("user");
+    const admin = await t.createUser("admin");
+    const court = await t.createCourt();
+
+    for (const [caller, expected] of [[null, 401], [other, 403], [member, 403]]) {
+      const [method, path, body] = await setup(owner, court);
+      const res = await t.request(method, path, { as: caller || undefined, body });
+      assert.equal(res.status, expected, `${caller ? caller.email : "anonymous"} got ${res.status}`);
+    }
+    for (const caller of [owner, admin]) {
+      const [method, path, body] = await setup(owner, court);
+      const res = await t.request(method, path, { as: caller, body });
+      assert.ok(res.status >= 200 && res.status < 300, `${caller.email} got ${res.status}: ${res.text}`);
+    }
+  });
+}
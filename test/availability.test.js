@@ -0,0 +1,84 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+const day = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+const date = day.toISOString().slice(0, 10);
+
+const states = (availability) => Object.fromEntries(availability.slots.map(({ slot, state }) => [slot, state]));
+
+test("slots are free, held by an unpaid booking or booked by a confirmed one", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  await t.createBooking(user, court, { date: day, slots: ["08:00 - 09:00"], status: "approved" });
+  await t.createBooking(user, court, { date: day, slots: ["09:00 - 10:00"], status: "confirmed", paymentStatus: "paid" });
+
+  const res = await t.request("GET", `/courts/${court._id}/availability?date=${date}`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.date, date);
+  assert.deepEqual(states(res.body), {
+    "08:00 - 09:00": "held",
+    "09:00 - 10:00": "booked",
+    "10:00 - 11:00": "free",
+  });
+});
+
+test("availability is per date", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  await t.createBooking(user, court, { date: day, status: "confirmed", paymentStatus: "paid" });
+
+  const nextDay = new Date(day.getTime() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const res = await t.request("GET", `/courts/${court._id}/availability?date=${nextDay}`);
+
+  assert.ok(res.body.slots.every(({ state }) => state === "free"));
+});
+
+test("a cancelled booking's slots are free again", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { date: day });
+
+  await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  const res = await t.request("GET", `/courts/${court._id}/availability?date=${date}`);
+
+  assert.equal(states(res.body)["08:00 - 09:00"], "free");
+});
+
+test("every slot of a court that is not available is closed", async () => {
+  const court = await t.createCourt({ status: "Maintenance" });
+
+  const res = await t.request("GET", `/courts/${court._id}/availability?date=${date}`);
+
+  assert.ok(res.body.slots.every(({ state }) => state === "closed"));
+});
+
+test("availability of several courts at once skips deleted courts", async () => {
+  const user = await t.createUser("user");
+  await t.createCourt();
+  const other = await t.createCourt({ name: "Court 2" });
+  await t.createCourt({ name: "Court 3", deletedAt: new Date() });
+  await t.createBooking(user, other, { date: day, status: "confirmed", paymentStatus: "paid" });
+
+  const res = await t.request("GET", `/courts/availability?date=${date}`);
+
+  assert.equal(res.status, 200);
+  const byName = Object.fromEntries(res.body.courts.map((c) => [c.name, states(c)]));
+  assert.deepEqual(Object.keys(byName).sort(), ["Court 1", "Court 2"]);
+  assert.equal(byName["Court 1"]["08:00 - 09:00"], "free");
+  assert.equal(byName["Court 2"]["08:00 - 09:00"], "booked");
+});
+
+test("availability needs a YYYY-MM-DD date", async () => {
+  const court = await t.createCourt();
+  assert.equal((await t.request("GET", `/courts/${court._id}/availability`)).status, 400);
+  assert.equal((await t.request("GET", `/courts/${court._id}/availability?date=not-a-date`)).status, 400);
+});
@@ -0,0 +1,210 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+// A booking the user has started paying for, with its PaymentIntent in `status`
+async function bookingAwaitingPayment(user, court, status = "requires_payment_method") {
+  const booking = await t.createBooking(user, court, { status: "awaiting_payment" });
+  const intent = await t.stripe.paymentIntents.create({
+    amount: 2000,
+    currency: "usd",
+    metadata: { bookingId: booking._id.toString() },
+  });
+  intent.status = status;
+  await t.db.collection("bookings").updateOne({ _id: booking._id }, { $set: { paymentIntentId: intent.id } });
+  return { booking, intent };
+}
+
+test("cancelling a booking cancels its open PaymentIntent", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const { booking, intent } = await bookingAwaitingPayment(user, court);
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  assert.equal(res.status, 200);
+  assert.equal(intent.status, "canceled");
+  assert.equal((await t.findBooking(booking._id)).status, "cancelled");
+});
+
+test("cancelling is refused while a payment is processing", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const { booking } = await bookingAwaitingPayment(user, court, "processing");
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  assert.equal(res.status, 409);
+  assert.equal((await t.findBooking(booking._id)).status, "awaiting_payment");
+});
+
+test("deleting a booking cancels its open PaymentIntent", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const { booking, intent } = await bookingAwaitingPayment(user, court);
+
+  const res = await t.request("DELETE", `/bookings/${booking._id}`, { as: user });
+  assert.equal(res.status, 200);
+  assert.equal(intent.status, "canceled");
+  assert.equal(await t.findBooking(booking._id), null);
+});
+
+test("deleting is refused while a payment is processing", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const { booking } = await bookingAwaitingPayment(user, court, "processing");
+
+  const res = await t.request("DELETE", `/bookings/${booking._id}`, { as: user });
+  assert.equal(res.status, 409);
+  assert.notEqual(await t.findBooking(booking._id), null);
+});
+
+test("the stored PaymentIntent is cancelled even before Stripe's search lists it", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const { booking, intent } = await bookingAwaitingPayment(user, court);
+  // Search is eventually consistent: a fresh PaymentIntent may not show up yet
+  intent.metadata = {};
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  assert.equal(res.status, 200);
+  assert.equal(intent.status, "canceled");
+});
+
+const checkout = (user, booking) =>
+  t.request("POST", "/create-payment-intent", { as: user, body: { bookingId: booking._id.toString() } });
+
+test("checking out again reuses the open PaymentIntent", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { status: "approved" });
+
+  const first = await checkout(user, booking);
+  assert.equal(first.status, 200);
+  const second = await checkout(user, booking);
+  assert.equal(second.status, 200);
+
+  assert.equal(second.body.clientSecret, first.body.clientSecret);
+  assert.equal(t.stripe.intents.size, 1);
+  assert.equal((await t.findBooking(booking._id)).status, "awaiting_payment");
+});
+
+test("checking out again updates the amount after the price changed", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { status: "approved" });
+
+  await checkout(user, booking);
+  await t.db.collection("bookings").updateOne(
+    { _id: booking._id },
+    { $set: { "pricing.lines": [{ slot: "08:00 - 09:00", price: 30 }] } }
+  );
+  const res = await checkout(user, booking);
+
+  assert.equal(res.status, 200);
+  assert.equal(t.stripe.intents.size, 1);
+  assert.equal([...t.stripe.intents.values()][0].amount, 3000);
+});
+
+test("a PaymentIntent that can't be reused is cancelled before a new one is made", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { status: "approved" });
+
+  await checkout(user, booking);
+  const [first] = t.stripe.intents.values();
+  first.status = "requires_action";
+  const res = await checkout(user, booking);
+
+  assert.equal(res.status, 200);
+  assert.equal(first.status, "canceled");
+  assert.equal(t.stripe.intents.size, 2);
+  assert.notEqual((await t.findBooking(booking._id)).paymentIntentId, first.id);
+});
+
+test("checking out is refused while the earlier payment is processing", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { status: "approved" });
+
+  await checkout(user, booking);
+  [...t.stripe.intents.values()][0].status = "processing";
+
+  assert.equal((await checkout(user, booking)).status, 409);
+  assert.equal(t.stripe.intents.size, 1);
+});
+
+test("checking out a series again reuses its PaymentIntent", async () => {
+  const user = await t.createUser("member");
+  const court = await t.createCourt();
+  const { insertedId: seriesId } = await t.db.collection("bookingSeries").insertOne({ userEmail: user.email, courtId: court._id });
+  for (const days of [7, 14]) {
+    await t.createBooking(user, court, {
+      status: "approved",
+      seriesId,
+      date: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+  }
+
+  const body = { seriesId: seriesId.toString() };
+  const first = await t.request("POST", "/create-payment-intent", { as: user, body });
+  const second = await t.request("POST", "/create-payment-intent", { as: user, body });
+
+  assert.equal(second.status, 200);
+  assert.equal(second.body.clientSecret, first.body.clientSecret);
+  assert.equal(t.stripe.intents.size, 1);
+});
+
+const dayKey = (offsetDays) => new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+async function requestBooking(date) {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  return t.request("POST", "/bookings", {
+    as: user,
+    body: { courtId: court._id.toString(), userId: user._id.toString(), userEmail: user.email, slots: ["08:00 - 09:00"], date },
+  });
+}
+
+test("bookings take a YYYY-MM-DD date", async () => {
+  const res = await requestBooking(`${dayKey(3)}T10:00:00.000Z`);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details[0].field, "date");
+
+  const created = await requestBooking(dayKey(3));
+  assert.equal(created.status, 201);
+  const stored = await t.findBooking(created.body.bookingId);
+  assert.equal(stored.date.toISOString(), `${dayKey(3)}T00:00:00.000Z`);
+});
+
+test("bookings can't be made for past days", async () => {
+  const res = await requestBooking(dayKey(-1));
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details[0].message, "must not be in the past");
+
+  assert.equal((await requestBooking(dayKey(0))).status, 201);
+});
+
+test("series can't start on a past day", async () => {
+  const member = await t.createUser("member");
+  const court = await t.createCourt();
+  const res = await t.request("POST", "/bookings/series", {
+    as: member,
+    body: {
+      courtId: court._id.toString(),
+      userId: member._id.toString(),
+      userEmail: member.email,
+      slots: ["08:00 - 09:00"],
+      startDate: dayKey(-7),
+      frequency: "weekly",
+      occurrences: 3,
+    },
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details[0].field, "startDate");
+});
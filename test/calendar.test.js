@@ -0,0 +1,119 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+const day = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+const dateKey = day.toISOString().slice(0, 10).replace(/-/g, "");
+
+// Path and query of the feed URL an endpoint hands out
+async function feedPath(path, as) {
+  const res = await t.request("GET", path, { as });
+  assert.equal(res.status, 200, res.text);
+  const url = new URL(res.body.url);
+  return url.pathname + url.search;
+}
+
+// The VEVENT blocks of a feed, each as a map of property name to value
+async function events(path) {
+  const res = await t.request("GET", path);
+  assert.equal(res.status, 200, res.text);
+  assert.match(res.headers.get("content-type"), /^text\/calendar/);
+  return res.text
+    .split("BEGIN:VEVENT\r\n")
+    .slice(1)
+    .map((block) =>
+      Object.fromEntries(
+        block
+          .split("\r\n")
+          .filter((line) => line && line !== "END:VEVENT" && line !== "END:VCALENDAR")
+          .map((line) => [line.slice(0, line.indexOf(":")), line.slice(line.indexOf(":") + 1)])
+      )
+    );
+}
+
+test("a user's feed has one event per booked slot, and leaves out unconfirmed bookings", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, {
+    date: day,
+    slots: ["08:00 - 09:00", "09:00 - 10:00"],
+    status: "confirmed",
+    paymentStatus: "paid",
+  });
+  await t.createBooking(user, court, { date: day, slots: ["10:00 - 11:00"], status: "awaiting_payment" });
+
+  const path = await feedPath("/me/calendar", user);
+  const res = await t.request("GET", path);
+  assert.ok(res.text.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+  assert.ok(res.text.endsWith("END:VCALENDAR\r\n"));
+
+  const list = await events(path);
+  assert.deepEqual(
+    list.map((e) => [e.UID, e.DTSTART, e.DTEND, e.STATUS, e.SUMMARY, e.LOCATION]),
+    [
+      [`${booking._id}-0@activearena`, `${dateKey}T080000`, `${dateKey}T090000`, "CONFIRMED", "Court 1 booking", "Court 1"],
+      [`${booking._id}-1@activearena`, `${dateKey}T090000`, `${dateKey}T100000`, "CONFIRMED", "Court 1 booking", "Court 1"],
+    ]
+  );
+});
+
+test("a cancelled booking keeps its UIDs and turns into STATUS:CANCELLED", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { date: day, status: "confirmed", paymentStatus: "paid" });
+  const path = await feedPath("/me/calendar", user);
+  const [before] = await events(path);
+
+  const cancel = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  assert.equal(cancel.status, 200, cancel.text);
+  const [after] = await events(path);
+
+  assert.equal(after.UID, before.UID);
+  assert.equal(before.STATUS, "CONFIRMED");
+  assert.equal(after.STATUS, "CANCELLED");
+  // A higher SEQUENCE tells clients the event changed
+  assert.ok(Number(after.SEQUENCE) > Number(before.SEQUENCE));
+});
+
+test("a court's feed shows its bookings without saying who booked", async () => {
+  const admin = await t.createUser("admin");
+  const user = await t.createUser("user", { name: "Jane Player" });
+  const court = await t.createCourt({ name: "Centre Court" });
+  const other = await t.createCourt({ name: "Court 2" });
+  await t.createBooking(user, court, { date: day, status: "confirmed", paymentStatus: "paid", userName: user.name });
+  await t.createBooking(user, other, { date: day, status: "confirmed", paymentStatus: "paid" });
+
+  const path = await feedPath(`/courts/${court._id}/calendar`, admin);
+  const res = await t.request("GET", path);
+  const list = await events(path);
+
+  assert.equal(list.length, 1);
+  assert.equal(list[0].SUMMARY, "Centre Court: booked");
+  assert.ok(!res.text.includes(user.email));
+  assert.ok(!res.text.includes("Jane Player"));
+});
+
+test("feeds need their token, and rotating replaces it", async () => {
+  const user = await t.createUser("user");
+  const path = await feedPath("/me/calendar", user);
+
+  assert.equal((await t.request("GET", `/calendar/users/${user._id}.ics`)).status, 400);
+  assert.equal((await t.request("GET", `/calendar/users/${user._id}.ics?token=wrong`)).status, 404);
+  // A user's token does not open another user's feed
+  const other = await t.createUser("user");
+  const token = new URL(path, "http://x").searchParams.get("token");
+  assert.equal((await t.request("GET", `/calendar/users/${other._id}.ics?token=${token}`)).status, 404);
+
+  const rotated = await t.request("POST", "/me/calendar/rotate", { as: user });
+  assert.equal(rotated.status, 200);
+  assert.equal((await t.request("GET", path)).status, 404);
+  const url = new URL(rotated.body.url);
+  assert.equal((await t.request("GET", url.pathname + url.search)).status, 200);
+});
@@ -0,0 +1,69 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+// A booking priced with `code` that is waiting for its payment
+async function discountedBooking(court, code, slot) {
+  const user = await t.createUser("user");
+  return t.createBooking(user, court, {
+    status: "awaiting_payment",
+    slots: [slot],
+    pricing: { lines: [{ slot, price: 20 }], subtotal: 20, discount: 2, total: 18, couponCode: code },
+  });
+}
+
+const pay = (booking) =>
+  t.sendStripeEvent("payment_intent.succeeded", {
+    id: `pi_${booking._id}`,
+    metadata: { bookingId: booking._id.toString() },
+  });
+
+test("payments that race past checkout never redeem a coupon beyond its limit", async () => {
+  const court = await t.createCourt();
+  await t.db.collection("coupons").insertOne({ code: "ONCE", discount: 10, status: "active", maxRedemptions: 1, redemptionCount: 0 });
+  // Both bookings passed the eligibility check while the coupon was unused
+  const first = await discountedBooking(court, "ONCE", "08:00 - 09:00");
+  const second = await discountedBooking(court, "ONCE", "09:00 - 10:00");
+
+  const responses = await Promise.all([pay(first), pay(second)]);
+
+  assert.deepEqual(responses.map((r) => r.status), [200, 200]);
+  assert.equal((await t.db.collection("coupons").findOne({ code: "ONCE" })).redemptionCount, 1);
+  assert.equal(await t.db.collection("couponRedemptions").countDocuments({ code: "ONCE" }), 1);
+  // Both are paid; the one that missed the limit is flagged for the club
+  const bookings = [await t.findBooking(first._id), await t.findBooking(second._id)];
+  assert.ok(bookings.every((b) => b.status === "confirmed"));
+  assert.equal(bookings.filter((b) => b.couponOverLimit).length, 1);
+});
+
+test("coupons without a limit are redeemed for every payment", async () => {
+  const court = await t.createCourt();
+  await t.db.collection("coupons").insertOne({ code: "OPEN", discount: 10, status: "active", maxRedemptions: null, redemptionCount: 0 });
+  const first = await discountedBooking(court, "OPEN", "08:00 - 09:00");
+  const second = await discountedBooking(court, "OPEN", "09:00 - 10:00");
+
+  await Promise.all([pay(first), pay(second)]);
+
+  assert.equal((await t.db.collection("coupons").findOne({ code: "OPEN" })).redemptionCount, 2);
+  assert.equal((await t.findBooking(first._id)).couponOverLimit, undefined);
+});
+
+test("a coupon used up since it was applied is dropped at checkout", async () => {
+  const court = await t.createCourt();
+  await t.db.collection("coupons").insertOne({ code: "GONE", discount: 10, status: "active", maxRedemptions: 1, redemptionCount: 1 });
+  const user = await t.createUser("user");
+  const booking = await t.createBooking(user, court, { status: "approved", couponCode: "GONE" });
+
+  const res = await t.request("POST", "/create-payment-intent", { as: user, body: { bookingId: booking._id.toString() } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.pricing.discount, 0);
+  assert.equal(res.body.pricing.total, 20);
+});
@@ -0,0 +1,60 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+const csvRows = (text) => text.trim().split("\r\n").map((line) => line.split(","));
+
+test("exported text that looks like a formula is kept as text", async () => {
+  const admin = await t.createUser("admin");
+  await t.createUser("user", { name: "=HYPERLINK(\"http://x\")", phone: "+15550100" });
+  await t.createUser("user", { name: "@SUM(A1)", phone: "-1" });
+
+  const res = await t.request("GET", "/admin/export/users", { as: admin });
+  assert.equal(res.status, 200);
+  assert.match(res.text, /"'=HYPERLINK\(""http:\/\/x""\)"/);
+  assert.match(res.text, /,'\+15550100,/);
+  assert.match(res.text, /,'@SUM\(A1\),/);
+  assert.match(res.text, /,'-1,/);
+});
+
+test("numbers are exported as numbers", async () => {
+  const admin = await t.createUser("admin");
+  await t.db.collection("coupons").insertOne({ code: "MINUS", discountType: "amount", discount: -5, status: "active", createdAt: new Date() });
+
+  const res = await t.request("GET", "/admin/export/coupons", { as: admin });
+  const [header, row] = csvRows(res.text);
+  assert.equal(row[header.indexOf("discount")], "-5");
+});
+
+test("the invoice CSV is protected too", async () => {
+  const admin = await t.createUser("admin");
+  await t.db.collection("invoices").insertOne({
+    number: "AA-000001",
+    seq: 1,
+    userEmail: "x@test.dev",
+    userName: "=1+1",
+    court: { name: "-Court" },
+    date: "2026-10-20",
+    slots: ["08:00 - 09:00"],
+    subtotal: 20,
+    discount: 0,
+    total: 20,
+    currency: "usd",
+    paidAt: new Date(),
+    issuedAt: new Date(),
+  });
+
+  const res = await t.request("GET", "/admin/invoices/export?format=csv", { as: admin });
+  assert.equal(res.status, 200);
+  const [header, row] = csvRows(res.text);
+  assert.equal(row[header.indexOf("userName")], "'=1+1");
+  assert.equal(row[header.indexOf("court")], "'-Court");
+  assert.equal(row[header.indexOf("total")], "20");
+});
@@ -0,0 +1,238 @@
+// Boots index.js against the in-memory database and a recording Stripe stub,
+// and provides request/login helpers for the route tests.
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+// The app logs every webhook, payment and error. Keep that out of the results,
+// where enough of it also trips up the test runner's reading of the child's
+// stdout; set TEST_LOGS=1 to see it.
+if (!process.env.TEST_LOGS) {
+  for (const level of ["log", "warn", "error"]) console[level] = () => {};
+}
+
+const crypto = require("crypto");
+const { once } = require("events");
+const jwt = require("jsonwebtoken");
+const { ObjectId } = require("mongodb");
+const app = require("../../index.js");
+const { FakeMongoClient } = require("./fakeMongo");
+
+// Stripe client that keeps PaymentIntents in memory and records every call
+function createStripeStub() {
+  const paymentIntents = new Map();
+  const calls = [];
+  let sequence = 0;
+  const record = (name, args, options) => calls.push({ name, args, options });
+
+  return {
+    calls,
+    intents: paymentIntents,
+    webhooks: {
+      // Tests post the event JSON directly; the signature is not checked
+      constructEvent: (body) => JSON.parse(body.toString()),
+    },
+    paymentIntents: {
+      create: async (params) => {
+        record("paymentIntents.create", params);
+        const intent = {
+          id: `pi_test_${++sequence}`,
+          client_secret: `pi_test_${sequence}_secret`,
+          status: "requires_payment_method",
+          ...params,
+        };
+        paymentIntents.set(intent.id, intent);
+        return intent;
+      },
+      retrieve: async (id) => {
+        record("paymentIntents.retrieve", id);
+        const intent = paymentIntents.get(id);
+        if (!intent) throw Object.assign(new Error(`No such payment_intent: ${id}`), { code: "resource_missing" });
+        return intent;
+      },
+      update: async (id, params) => {
+        record("paymentIntents.update", { id, ...params });
+        const intent = paymentIntents.get(id);
+        Object.assign(intent, params);
+        return intent;
+      },
+      cancel: async (id) => {
+        record("paymentIntents.cancel", id);
+        const intent = paymentIntents.get(id);
+        if (!intent) throw Object.assign(new Error(`No such payment_intent: ${id}`), { code: "resource_missing" });
+        intent.status = "canceled";
+        return intent;
+      },
+      search: async ({ query }) => {
+        record("paymentIntents.search", query);
+        const [, key, value] = query.match(/metadata\['(\w+)'\]:'([^']+)'/) || [];
+        return {
+          data: [...paymentIntents.values()].filter((intent) => intent.metadata?.[key] === value),
+        };
+      },
+    },
+    refunds: {
+      // Without an amount the whole PaymentIntent is refunded
+      create: async (params, options) => {
+        record("refunds.create", params, options);
+        const amount = params.amount ?? paymentIntents.get(params.payment_intent)?.amount;
+        return { id: `re_test_${++sequence}`, status: "pending", ...params, amount };
+      },
+    },
+    customers: {
+      create: async (params) => {
+        record("customers.create", params);
+        return { id: `cus_test_${++sequence}`, ...params };
+      },
+    },
+    subscriptions: {
+      create: async (params) => {
+        record("subscriptions.create", params);
+        return {
+          id: `sub_test_${++sequence}`,
+          latest_invoice: { payment_intent: { client_secret: `sub_secret_${sequence}` } },
+        };
+      },
+      update: async (id, params) => record("subscriptions.update", { id, ...params }),
+      cancel: async (id) => record("subscriptions.cancel", id),
+    },
+    prices: {
+      retrieve: async (id) => ({ id, unit_amount: 3000, currency: "usd" }),
+    },
+  };
+}
+
+async function startTestApp() {
+  const mongo = new FakeMongoClient();
+  await app.connectDB(mongo);
+
+  const stripe = createStripeStub();
+  app.locals.stripe = stripe;
+  const notifications = [];
+  app.locals.notificationTransport = { send: async (message) => notifications.push(message) };
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const db = mongo.db();
+
+  // Users by role; tokens are minted the way issueTokens signs them
+  async function createUser(role, overrides = {}) {
+    const email = overrides.email || `${role}-${crypto.randomUUID().slice(0, 8)}@test.dev`;
+    const user = { name: `${role} user`, email, role: role === "member" ? "member" : role, createdAt: new Date(), ...overrides };
+    const { insertedId } = await db.collection("users").insertOne(user);
+    if (role === "member") {
+      await db.collection("memberships").insertOne({
+        userEmail: email,
+        userId: insertedId,
+        plan: "monthly",
+        status: "active",
+        source: "admin",
+        startsAt: new Date(),
+        endsAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+        createdAt: new Date(),
+      });
+    }
+    const token = jwt.sign({ email }, process.env.JWT_SECRET, { expiresIn: "15m", jwtid: crypto.randomUUID() });
+    return { ...user, _id: insertedId, token };
+  }
+
+  async function request(method, path, { as, body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...(as ? { Cookie: `token=${as.token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = null;
+    }
+    return { status: response.status, body: json, text, headers: response.headers };
+  }
+
+  // Deliver a Stripe event to the webhook endpoint
+  const sendStripeEvent = (type, object, id = `evt_${crypto.randomUUID()}`) =>
+    request("POST", "/stripe-webhook", {
+      body: { id, type, data: { object } },
+      headers: { "stripe-signature": "test" },
+    });
+
+  async function createCourt(overrides = {}) {
+    const court = {
+      name: "Court 1",
+      type: "Tennis",
+      status: "Available",
+      price: 20,
+      image: "court.png",
+      availableSlots: ["08:00 - 09:00", "09:00 - 10:00", "10:00 - 11:00"],
+      openingHours: null,
+      slotDuration: 60,
+      pricingRules: null,
+      ...overrides,
+    };
+    const { insertedId } = await db.collection("courts").insertOne(court);
+    return { ...court, _id: insertedId };
+  }
+
+  // A booking stored directly, with its slots reserved like POST /bookings does
+  async function createBooking(user, court, overrides = {}) {
+    const booking = {
+      courtId: court._id,
+      userEmail: user.email,
+      userId: user._id.toString(),
+      slots: ["08:00 - 09:00"],
+      date: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      status: "requested",
+      paymentStatus: "pending",
+      price: 20,
+      pricing: { lines: [{ slot: "08:00 - 09:00", price: 20 }], subtotal: 20, discount: 0, total: 20, couponCode: null },
+      statusHistory: [],
+      createdAt: new Date(),
+      ...overrides,
+    };
+    booking.date = new Date(`${booking.date.toISOString().slice(0, 10)}T00:00:00.000Z`);
+    const { insertedId } = await db.collection("bookings").insertOne(booking);
+    for (const slot of booking.slots) {
+      await db.collection("slotReservations").insertOne({
+        courtId: court._id,
+        date: booking.date.toISOString().slice(0, 10),
+        slot,
+        bookingId: insertedId,
+      });
+    }
+    return { ...booking, _id: insertedId };
+  }
+
+  const findBooking = (id) => db.collection("bookings").findOne({ _id: new ObjectId(id) });
+
+  function reset() {
+    db.reset();
+    stripe.calls.length = 0;
+    stripe.intents.clear();
+    notifications.length = 0;
+  }
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return {
+    app,
+    db,
+    stripe,
+    notifications,
+    request,
+    sendStripeEvent,
+    createUser,
+    createCourt,
+    createBooking,
+    findBooking,
+    reset,
+    close,
+  };
+}
+
+module.exports = { startTestApp };
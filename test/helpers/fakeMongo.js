@@ -0,0 +1,279 @@
+// In-memory stand-in for the parts of the MongoDB driver index.js uses, so the
+// routes can be exercised without a server. Queries, updates and aggregation
+// are evaluated by mingo; unique indexes are enforced with E11000 errors.
+const mingo = require("mingo");
+require("mingo/init/system");
+const { updateObject } = require("mingo/updater");
+const { BSON, ObjectId } = require("mongodb");
+
+// Round-trip through BSON so stored documents never share references with callers
+const clone = (doc) => BSON.deserialize(BSON.serialize(doc));
+const sameDocument = (a, b) => BSON.serialize(a).equals(BSON.serialize(b));
+
+const duplicateKeyError = (name, keys) => {
+  const err = new Error(`E11000 duplicate key error collection: ${name} index: ${keys.join("_")}`);
+  err.code = 11000;
+  return err;
+};
+
+class FakeCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  async toArray() {
+    return this.load(this.options);
+  }
+
+  async close() {}
+
+  async *[Symbol.asyncIterator]() {
+    for (const doc of await this.toArray()) yield doc;
+  }
+}
+
+class FakeCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.name = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    if (options.unique) this.uniqueIndexes.push({ keys: Object.keys(keys), sparse: Boolean(options.sparse) });
+    return Object.keys(keys).join("_");
+  }
+
+  checkUnique(doc, ignore) {
+    const indexes = [{ keys: ["_id"] }, ...this.uniqueIndexes];
+    for (const { keys, sparse } of indexes) {
+      // Sparse indexes skip documents that lack the indexed fields
+      if (sparse && keys.every((key) => doc[key] === undefined)) continue;
+      const clash = this.docs.find(
+        (other) =>
+          other !== ignore &&
+          keys.every((key) => sameDocument({ v: other[key] ?? null }, { v: doc[key] ?? null }))
+      );
+      if (clash) throw duplicateKeyError(this.name, keys);
+    }
+  }
+
+  matching(filter = {}) {
+    const query = new mingo.Query(filter);
+    return this.docs.filter((doc) => query.test(doc));
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  find(filter = {}, { projection } = {}) {
+    return new FakeCursor((options) => {
+      let cursor = mingo.find(this.docs, filter, options.projection || projection || {});
+      if (options.sort) cursor = cursor.sort(options.sort);
+      if (options.skip) cursor = cursor.skip(options.skip);
+      if (options.limit) cursor = cursor.limit(options.limit);
+      return cursor.all().map(clone);
+    });
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [doc] = await this.find(filter, options)
+      .sort(options.sort)
+      .limit(1)
+      .toArray();
+    return doc || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.matching(filter).length;
+  }
+
+  // Apply an update document to a stored document in place, rolling back when
+  // it would break a unique index
+  applyUpdate(doc, update, { inserting = false } = {}) {
+    const before = clone(doc);
+    for (const [operator, fields] of Object.entries(update)) {
+      if (operator === "$setOnInsert") {
+        if (inserting) updateObject(doc, { $set: fields });
+        continue;
+      }
+      updateObject(doc, { [operator]: fields });
+    }
+    try {
+      if (!inserting) this.checkUnique(doc, doc);
+    } catch (err) {
+      Object.keys(doc).forEach((key) => delete doc[key]);
+      Object.assign(doc, before);
+      throw err;
+    }
+    return !sameDocument(before, doc);
+  }
+
+  // Document an upsert starts from: the equality fields of the filter
+  upsertBase(filter) {
+    const base = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (key.startsWith("$")) continue;
+      if (value && typeof value === "object" && !(value instanceof ObjectId) && !(value instanceof Date)) {
+        if (Object.keys(value).some((k) => k.startsWith("$"))) continue;
+      }
+      base[key] = value;
+    }
+    return base;
+  }
+
+  async upsert(filter, update) {
+    const doc = this.upsertBase(filter);
+    this.applyUpdate(doc, update, { inserting: true });
+    const { insertedId } = await this.insertOne(doc);
+    return insertedId;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.matching(filter);
+    if (!doc) {
+      if (!options.upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+      const upsertedId = await this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId };
+    }
+    const modified = this.applyUpdate(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.matching(filter);
+    let modifiedCount = 0;
+    for (const doc of docs) {
+      if (this.applyUpdate(doc, update)) modifiedCount++;
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = options.sort
+      ? mingo.find(this.matching(filter), {}).sort(options.sort).all()
+      : this.matching(filter);
+    if (!doc) {
+      if (!options.upsert) return null;
+      const id = await this.upsert(filter, update);
+      return options.returnDocument === "after" ? this.findOne({ _id: id }) : null;
+    }
+    const before = clone(doc);
+    this.applyUpdate(doc, update);
+    return options.returnDocument === "after" ? clone(doc) : before;
+  }
+
+  async deleteOne(filter = {}) {
+    const [doc] = this.matching(filter);
+    if (!doc) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const docs = this.matching(filter);
+    this.docs = this.docs.filter((doc) => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+
+  aggregate(pipeline) {
+    return new FakeCursor(() =>
+      mingo
+        .aggregate(this.docs, pipeline, {
+          collectionResolver: (name) => this.db.collection(name).docs,
+        })
+        .map(clone)
+    );
+  }
+}
+
+class FakeDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new FakeCollection(this, name));
+    return this.collections.get(name);
+  }
+
+  // Empty every collection, keeping their indexes
+  reset() {
+    for (const collection of this.collections.values()) collection.docs = [];
+  }
+}
+
+class FakeMongoClient {
+  constructor() {
+    this.database = new FakeDb();
+    this.transactions = Promise.resolve();
+  }
+
+  async connect() {
+    return this;
+  }
+
+  db() {
+    return this.database;
+  }
+
+  // Transactions run one at a time, as write conflicts would make them, and
+  // restore every collection when the callback throws
+  startSession() {
+    return {
+      withTransaction: (fn) => {
+        const run = this.transactions.then(async () => {
+          const snapshot = [...this.database.collections.values()].map((c) => [c, c.docs.map(clone)]);
+          try {
+            return await fn();
+          } catch (err) {
+            for (const [collection, docs] of snapshot) collection.docs = docs;
+            throw err;
+          }
+        });
+        this.transactions = run.catch(() => {});
+        return run;
+      },
+      endSession: async () => {},
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = { FakeMongoClient };
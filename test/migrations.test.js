@@ -0,0 +1,18 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const app = require("../index.js");
+const { FakeMongoClient } = require("./helpers/fakeMongo");
+
+// connectDB runs once per process, so this file checks the up-to-date case;
+// every other test file starts from an empty database and is migrated
+test("connecting to an up-to-date database skips indexes and migrations", async () => {
+  const mongo = new FakeMongoClient();
+  const db = mongo.db();
+  await db.collection("migrations").insertOne({ _id: "schema", version: 1, migratedAt: new Date() });
+  await db.collection("bookings").insertOne({ status: "pending", slots: [], date: new Date() });
+
+  await app.connectDB(mongo);
+
+  assert.equal(db.collection("slotReservations").uniqueIndexes.length, 0);
+  assert.equal((await db.collection("bookings").findOne({})).status, "pending");
+});
@@ -0,0 +1,49 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+// notifyAll delivers through the outbox pass, which runs in the background
+const queued = (event) => t.db.collection("notificationOutbox").find({ event }).toArray();
+
+test("announcements skip deleted users", async () => {
+  const admin = await t.createUser("admin");
+  const active = await t.createUser("user");
+  const deleted = await t.createUser("user", { deletedAt: new Date() });
+
+  const res = await t.request("POST", "/announcements", { as: admin, body: { title: "Closed Monday", content: "Maintenance." } });
+  assert.equal(res.status, 201);
+
+  const recipients = (await queued("announcement_posted")).map((message) => message.to);
+  assert.ok(recipients.includes(active.email));
+  assert.ok(!recipients.includes(deleted.email));
+});
+
+test("booking updates aren't sent to deleted users", async () => {
+  const admin = await t.createUser("admin");
+  const owner = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(owner, court);
+  await t.db.collection("users").updateOne({ email: owner.email }, { $set: { deletedAt: new Date() } });
+
+  const res = await t.request("PUT", `/bookings/${booking._id}/status`, { as: admin, body: { status: "approved" } });
+  assert.equal(res.status, 200);
+  assert.equal((await queued("booking_approved")).length, 0);
+});
+
+test("booking updates reach active users", async () => {
+  const admin = await t.createUser("admin");
+  const owner = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(owner, court);
+
+  await t.request("PUT", `/bookings/${booking._id}/status`, { as: admin, body: { status: "approved" } });
+  const [message] = await queued("booking_approved");
+  assert.equal(message.to, owner.email);
+});
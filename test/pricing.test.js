@@ -0,0 +1,113 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+// The next date (YYYY-MM-DD, UTC) falling on a weekday, 0 = Sunday
+function next(weekday) {
+  const date = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  while (date.getUTCDay() !== weekday) date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+const WEDNESDAY = next(3);
+const SATURDAY = next(6);
+const HOLIDAY = next(2);
+
+const PEAK = "17:00 - 18:00";
+const OVERRIDDEN_PEAK = "18:00 - 19:00";
+const OFF_PEAK = "10:00 - 11:00";
+
+const pricedCourt = (rules = {}) =>
+  t.createCourt({
+    price: 20,
+    availableSlots: [OFF_PEAK, PEAK, OVERRIDDEN_PEAK],
+    pricingRules: {
+      peakHours: [{ from: "17:00", to: "21:00" }],
+      peakPrice: 30,
+      weekendSurcharge: 10,
+      holidays: [HOLIDAY],
+      holidaySurcharge: 50,
+      memberDiscount: 20,
+      slotOverrides: { [OVERRIDDEN_PEAK]: 15 },
+      ...rules,
+    },
+  });
+
+async function preview(court, date, member) {
+  const admin = await t.createUser("admin");
+  const res = await t.request("POST", `/courts/${court._id}/price-preview`, {
+    as: admin,
+    body: { date, slots: [OFF_PEAK, PEAK, OVERRIDDEN_PEAK], member },
+  });
+  assert.equal(res.status, 200, res.text);
+  return Object.fromEntries(res.body.lines.map((line) => [line.slot, line]));
+}
+
+test("a slot override beats the peak price, which beats the court price", async () => {
+  const lines = await preview(await pricedCourt(), WEDNESDAY, false);
+
+  assert.equal(lines[OFF_PEAK].price, 20);
+  assert.deepEqual(lines[OFF_PEAK].rules, []);
+  assert.equal(lines[PEAK].price, 30);
+  assert.deepEqual(lines[PEAK].rules, ["peak"]);
+  assert.equal(lines[OVERRIDDEN_PEAK].price, 15);
+  assert.deepEqual(lines[OVERRIDDEN_PEAK].rules, ["slot_override"]);
+});
+
+test("the weekend surcharge is added to the base, then the member discount taken off the total", async () => {
+  const lines = await preview(await pricedCourt(), SATURDAY, true);
+
+  // 30 + 10% = 33, less 20% = 26.40
+  assert.deepEqual(
+    { base: lines[PEAK].base, surcharge: lines[PEAK].surcharge, memberDiscount: lines[PEAK].memberDiscount, price: lines[PEAK].price },
+    { base: 30, surcharge: 3, memberDiscount: 6.6, price: 26.4 }
+  );
+  assert.deepEqual(lines[PEAK].rules, ["peak", "weekend", "member"]);
+  // 15 + 10% = 16.50, less 20% = 13.20
+  assert.equal(lines[OVERRIDDEN_PEAK].price, 13.2);
+  assert.deepEqual(lines[OVERRIDDEN_PEAK].rules, ["slot_override", "weekend", "member"]);
+});
+
+test("holidays take the holiday surcharge, or the weekend one when none is set", async () => {
+  const lines = await preview(await pricedCourt(), HOLIDAY, false);
+  assert.equal(lines[OFF_PEAK].price, 30);
+  assert.deepEqual(lines[OFF_PEAK].rules, ["holiday"]);
+
+  const fallback = await preview(await pricedCourt({ holidaySurcharge: undefined }), HOLIDAY, false);
+  assert.equal(fallback[OFF_PEAK].price, 22);
+});
+
+test("peak windows can be limited to some weekdays", async () => {
+  const court = await pricedCourt({ peakHours: [{ from: "17:00", to: "21:00", days: ["sat", "sun"] }] });
+
+  assert.equal((await preview(court, WEDNESDAY, false))[PEAK].price, 20);
+  assert.equal((await preview(court, SATURDAY, false))[PEAK].price, 33);
+});
+
+test("bookings store the priced lines, with member rates for active members", async () => {
+  const member = await t.createUser("member");
+  const court = await pricedCourt();
+
+  const res = await t.request("POST", "/bookings", {
+    as: member,
+    body: {
+      courtId: court._id.toString(),
+      userId: member._id.toString(),
+      userEmail: member.email,
+      slots: [OFF_PEAK, PEAK],
+      date: WEDNESDAY,
+    },
+  });
+
+  assert.equal(res.status, 201);
+  const { pricing, price } = await t.findBooking(res.body.bookingId);
+  assert.deepEqual(pricing.lines.map((line) => line.price), [16, 24]);
+  assert.equal(pricing.subtotal, 40);
+  assert.equal(price, 40);
+});
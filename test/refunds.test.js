@@ -0,0 +1,243 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+// A paid, confirmed booking whose slot starts `hours` from now
+async function paidBookingIn(hours, user, court) {
+  const start = new Date(Date.now() + hours * 60 * 60 * 1000);
+  const slot = start.toISOString().slice(11, 16);
+  const intent = await t.app.locals.stripe.paymentIntents.create({ amount: 2000, currency: "usd" });
+  intent.status = "succeeded";
+  return t.createBooking(user, court, {
+    date: start,
+    slots: [slot],
+    status: "confirmed",
+    paymentStatus: "paid",
+    paymentIntentId: intent.id,
+    transactionId: intent.id,
+  });
+}
+
+const refundCalls = () => t.stripe.calls.filter((call) => call.name === "refunds.create");
+
+test("cancelling more than a day ahead refunds in full", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refund.amount, 20);
+
+  const [call] = refundCalls();
+  assert.equal(call.args.payment_intent, booking.paymentIntentId);
+  assert.equal(call.args.amount, 2000);
+
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "cancelled");
+  assert.equal(stored.paymentStatus, "refund_pending");
+});
+
+test("cancelling inside the full-refund window refunds half", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(12, user, court);
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  assert.equal(res.status, 200);
+  assert.equal(refundCalls()[0].args.amount, 1000);
+  assert.equal((await t.findBooking(booking._id)).refund.percent, 50);
+});
+
+test("cancelling shortly before the slot refunds nothing", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(2, user, court);
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refund, null);
+  assert.equal(refundCalls().length, 0);
+
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "cancelled");
+  assert.equal(stored.paymentStatus, "paid");
+});
+
+test("admins can override the policy", async () => {
+  const user = await t.createUser("user");
+  const admin = await t.createUser("admin");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(2, user, court);
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: admin, body: { refundPercent: 100 } });
+  assert.equal(res.status, 200);
+  assert.equal(refundCalls()[0].args.amount, 2000);
+});
+
+test("charge.refunded marks the cancelled booking refunded", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+  await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+
+  const res = await t.sendStripeEvent("charge.refunded", {
+    id: "ch_test_1",
+    payment_intent: booking.paymentIntentId,
+    refunded: true,
+    amount_refunded: 2000,
+  });
+  assert.equal(res.status, 200);
+
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "refunded");
+  assert.equal(stored.paymentStatus, "refunded");
+  assert.equal(stored.refundedAmount, 20);
+});
+
+test("a partial charge.refunded keeps the partial state", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(12, user, court);
+  await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+
+  await t.sendStripeEvent("charge.refunded", {
+    id: "ch_test_2",
+    payment_intent: booking.paymentIntentId,
+    refunded: false,
+    amount_refunded: 1000,
+  });
+
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "refunded");
+  assert.equal(stored.paymentStatus, "partially_refunded");
+  assert.equal(stored.refundedAmount, 10);
+});
+
+test("concurrent cancels refund once", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+  // A slow Stripe leaves both requests time to reach the refund
+  const create = t.stripe.refunds.create;
+  t.stripe.refunds.create = async (...args) => {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return create(...args);
+  };
+
+  const cancel = () => t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  const statuses = (await Promise.all([cancel(), cancel()])).map((res) => res.status);
+  t.stripe.refunds.create = create;
+
+  assert.deepEqual(statuses.sort(), [200, 409]);
+  const calls = refundCalls();
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].options, { idempotencyKey: `cancel-${booking._id}` });
+  const stored = await t.findBooking(booking._id);
+  assert.match(stored.refund.id, /^re_test_/);
+  assert.equal(stored.refund.status, "pending");
+});
+
+test("a refund Stripe rejects leaves the booking cancelled with the failure recorded", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+  const create = t.stripe.refunds.create;
+  t.stripe.refunds.create = async () => {
+    throw new Error("card_declined");
+  };
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+  t.stripe.refunds.create = create;
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refund.status, "failed");
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "cancelled");
+  assert.equal(stored.paymentStatus, "refund_pending");
+  assert.equal(stored.refund.error, "card_declined");
+});
+
+test("force-cancelling a court's bookings refunds each once, with its own key", async () => {
+  const user = await t.createUser("user");
+  const admin = await t.createUser("admin");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+
+  const res = await t.request("DELETE", `/courts/${court._id}?force=true`, { as: admin });
+
+  assert.equal(res.status, 200);
+  const calls = refundCalls();
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].args.amount, 2000);
+  assert.deepEqual(calls[0].options, { idempotencyKey: `cancel-${booking._id}` });
+});
+
+const dashboardRefund = (booking, amount, refunded) =>
+  t.sendStripeEvent("charge.refunded", {
+    id: `ch_${booking._id}`,
+    payment_intent: booking.paymentIntentId,
+    refunded,
+    amount_refunded: amount,
+  });
+
+test("a partial refund from the dashboard keeps the booking and its slot", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+
+  assert.equal((await dashboardRefund(booking, 500, false)).status, 200);
+
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "confirmed");
+  assert.equal(stored.paymentStatus, "partially_refunded");
+  assert.equal(stored.refundedAmount, 5);
+  assert.equal(await t.db.collection("slotReservations").countDocuments({ bookingId: booking._id }), 1);
+});
+
+test("a full refund from the dashboard ends the booking and frees its slot", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+
+  assert.equal((await dashboardRefund(booking, 2000, true)).status, 200);
+
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "refunded");
+  assert.equal(stored.paymentStatus, "refunded");
+  assert.equal(await t.db.collection("slotReservations").countDocuments({ bookingId: booking._id }), 0);
+});
+
+test("a refund after play is recorded on the completed booking", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+  await t.db.collection("bookings").updateOne({ _id: booking._id }, { $set: { status: "completed" } });
+
+  assert.equal((await dashboardRefund(booking, 2000, true)).status, 200);
+
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "completed");
+  assert.equal(stored.paymentStatus, "refunded");
+  assert.equal(stored.refundedAmount, 20);
+});
+
+test("cancelling after a partial refund refunds at most what is left", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await paidBookingIn(72, user, court);
+  await dashboardRefund(booking, 500, false);
+
+  const res = await t.request("POST", `/bookings/${booking._id}/cancel`, { as: user, body: {} });
+
+  assert.equal(res.status, 200);
+  assert.equal(refundCalls()[0].args.amount, 1500);
+  assert.equal(res.body.refund.amount, 15);
+});
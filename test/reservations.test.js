@@ -0,0 +1,78 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+const date = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const book = (user, court, slots) =>
+  t.request("POST", "/bookings", {
+    as: user,
+    body: {
+      courtId: court._id.toString(),
+      userId: user._id.toString(),
+      userEmail: user.email,
+      slots,
+      date,
+    },
+  });
+
+test("a slot that is already reserved answers 409 with the clashing slots", async () => {
+  const [first, second] = [await t.createUser("user"), await t.createUser("user")];
+  const court = await t.createCourt();
+
+  assert.equal((await book(first, court, ["08:00 - 09:00", "09:00 - 10:00"])).status, 201);
+  const res = await book(second, court, ["09:00 - 10:00", "10:00 - 11:00"]);
+
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body.conflicts, ["09:00 - 10:00"]);
+  // Nothing of the refused booking is kept, not even its free slot
+  assert.equal(await t.db.collection("bookings").countDocuments({ userEmail: second.email }), 0);
+  const reserved = await t.db.collection("slotReservations").find({ courtId: court._id, date }).toArray();
+  assert.deepEqual(reserved.map((r) => r.slot).sort(), ["08:00 - 09:00", "09:00 - 10:00"]);
+});
+
+test("concurrent requests for one slot create a single booking", async () => {
+  const users = await Promise.all([1, 2, 3, 4].map(() => t.createUser("user")));
+  const court = await t.createCourt();
+
+  const statuses = (await Promise.all(users.map((user) => book(user, court, ["08:00 - 09:00"])))).map((r) => r.status);
+
+  assert.deepEqual(statuses.sort(), [201, 409, 409, 409]);
+  assert.equal(await t.db.collection("bookings").countDocuments({ courtId: court._id }), 1);
+});
+
+test("the same slot can still be booked on another court", async () => {
+  const user = await t.createUser("user");
+  const [court, other] = [await t.createCourt(), await t.createCourt({ name: "Court 2" })];
+
+  assert.equal((await book(user, court, ["08:00 - 09:00"])).status, 201);
+  assert.equal((await book(user, other, ["08:00 - 09:00"])).status, 201);
+});
+
+test("the unique reservation index rejects a second reservation of a slot", async () => {
+  const court = await t.createCourt();
+  const reservations = t.db.collection("slotReservations");
+  await reservations.insertOne({ courtId: court._id, date, slot: "08:00 - 09:00", bookingId: "a" });
+
+  await assert.rejects(
+    reservations.insertOne({ courtId: court._id, date, slot: "08:00 - 09:00", bookingId: "b" }),
+    (err) => err.code === 11000
+  );
+});
+
+test("a cancelled booking frees its slots for the next booking", async () => {
+  const [first, second] = [await t.createUser("user"), await t.createUser("user")];
+  const court = await t.createCourt();
+  const { body } = await book(first, court, ["08:00 - 09:00"]);
+
+  const cancelled = await t.request("POST", `/bookings/${body.bookingId}/cancel`, { as: first, body: {} });
+  assert.equal(cancelled.status, 200);
+  assert.equal((await book(second, court, ["08:00 - 09:00"])).status, 201);
+});
@@ -0,0 +1,111 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateKey = (days) => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+
+const createSeries = (member, court, overrides = {}) =>
+  t.request("POST", "/bookings/series", {
+    as: member,
+    body: {
+      courtId: court._id.toString(),
+      userId: member._id.toString(),
+      userEmail: member.email,
+      slots: ["08:00 - 09:00"],
+      startDate: dateKey(7),
+      frequency: "weekly",
+      occurrences: 3,
+      ...overrides,
+    },
+  });
+
+test("a series books every occurrence and reserves its slots", async () => {
+  const member = await t.createUser("member");
+  const court = await t.createCourt();
+
+  const res = await createSeries(member, court, { frequency: "biweekly" });
+
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.body.dates, [dateKey(7), dateKey(21), dateKey(35)]);
+  const bookings = await t.db.collection("bookings").find({ userEmail: member.email }).toArray();
+  assert.equal(bookings.length, 3);
+  assert.ok(bookings.every((b) => b.status === "requested" && String(b.seriesId) === res.body.seriesId));
+  const reserved = await t.db.collection("slotReservations").find({ courtId: court._id }).toArray();
+  assert.deepEqual(reserved.map((r) => r.date).sort(), res.body.dates);
+});
+
+test("one clashing occurrence books nothing and lists every clash", async () => {
+  const member = await t.createUser("member");
+  const other = await t.createUser("user");
+  const court = await t.createCourt();
+  await t.createBooking(other, court, { date: new Date(`${dateKey(14)}T00:00:00.000Z`) });
+
+  const res = await createSeries(member, court);
+
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body.conflicts, [{ date: dateKey(14), slots: ["08:00 - 09:00"] }]);
+  assert.equal(await t.db.collection("bookingSeries").countDocuments({}), 0);
+  assert.equal(await t.db.collection("bookings").countDocuments({ userEmail: member.email }), 0);
+  assert.equal(await t.db.collection("slotReservations").countDocuments({ courtId: court._id }), 1);
+});
+
+test("a slot taken while the series is being reserved rolls back every occurrence", async () => {
+  const member = await t.createUser("member");
+  const other = await t.createUser("user");
+  const court = await t.createCourt();
+  // Someone books the last occurrence's slot after the up-front check passed
+  const reservations = t.db.collection("slotReservations");
+  const insertMany = reservations.insertMany;
+  let calls = 0;
+  reservations.insertMany = async (docs, options) => {
+    if (++calls === 3) {
+      await insertMany.call(reservations, [{ courtId: court._id, date: dateKey(21), slot: "08:00 - 09:00", bookingId: other._id }]);
+    }
+    return insertMany.call(reservations, docs, options);
+  };
+
+  const res = await createSeries(member, court);
+  reservations.insertMany = insertMany;
+
+  assert.equal(res.status, 409);
+  assert.deepEqual(res.body.conflicts, [{ date: dateKey(21), slots: ["08:00 - 09:00"] }]);
+  assert.equal(await t.db.collection("bookings").countDocuments({ userEmail: member.email }), 0);
+  const left = await reservations.find({ courtId: court._id }).toArray();
+  assert.deepEqual(left.map((r) => String(r.bookingId)), [String(other._id)]);
+});
+
+test("concurrent overlapping series create one series", async () => {
+  const [first, second] = [await t.createUser("member"), await t.createUser("member")];
+  const court = await t.createCourt();
+
+  const responses = await Promise.all([
+    createSeries(first, court),
+    createSeries(second, court, { startDate: dateKey(14) }),
+  ]);
+
+  assert.deepEqual(responses.map((r) => r.status).sort(), [201, 409]);
+  assert.equal(await t.db.collection("bookingSeries").countDocuments({}), 1);
+  const winner = responses.find((r) => r.status === 201).body;
+  const reserved = await t.db.collection("slotReservations").find({ courtId: court._id }).toArray();
+  assert.deepEqual(reserved.map((r) => r.date).sort(), winner.dates);
+});
+
+test("a series is bounded by its end date and the occurrence limit", async () => {
+  const member = await t.createUser("member");
+  const court = await t.createCourt();
+
+  const bounded = await createSeries(member, court, { occurrences: undefined, endDate: dateKey(20) });
+  assert.deepEqual(bounded.body.dates, [dateKey(7), dateKey(14)]);
+
+  const tooLong = await createSeries(member, court, { slots: ["09:00 - 10:00"], occurrences: undefined, endDate: dateKey(7 + 7 * 60) });
+  assert.equal(tooLong.status, 400);
+  assert.equal(await t.db.collection("slotReservations").countDocuments({ slot: "09:00 - 10:00" }), 0);
+});
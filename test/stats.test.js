@@ -0,0 +1,179 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+// Every fixture falls in March 2026; 2026-03-02 is a Monday
+const at = (day, time = "10:00") => new Date(`2026-03-${day}T${time}:00.000Z`);
+const MARCH = "from=2026-03-01T00:00:00.000Z&to=2026-03-31T23:59:59.000Z";
+
+// A booking on `day`, which each test keeps distinct so slot reservations never clash
+const bookOn = (day, user, court, fields) => t.createBooking(user, court, { date: day, ...fields });
+
+async function stats(path, query = MARCH) {
+  const admin = await t.createUser("admin");
+  const res = await t.request("GET", `/admin/stats/${path}?${query}`, { as: admin });
+  assert.equal(res.status, 200, res.text);
+  return res.body;
+}
+
+test("revenue sums paid bookings per period, net of refunds", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  await bookOn(at("02"), user, court, { status: "confirmed", paymentStatus: "paid", paidAt: at("02") });
+  await bookOn(at("04"), user, court, {
+    status: "confirmed",
+    paymentStatus: "partially_refunded",
+    paidAt: at("04"),
+    pricing: { lines: [], subtotal: 30, discount: 0, total: 30 },
+    refundedAmount: 10,
+  });
+  // Older bookings only have a price
+  await bookOn(at("10"), user, court, { status: "completed", paymentStatus: "paid", paidAt: at("10"), pricing: undefined, price: 15 });
+  await bookOn(at("05"), user, court, { status: "awaiting_payment", paymentStatus: "pending", paidAt: at("05") });
+  const april = new Date("2026-04-02T10:00:00.000Z");
+  await bookOn(april, user, court, { status: "confirmed", paymentStatus: "paid", paidAt: april });
+
+  const body = await stats("revenue", `${MARCH}&interval=week`);
+
+  assert.deepEqual(body.periods, [
+    { period: "2026-03-02T00:00:00.000Z", gross: 50, refunded: 10, net: 40, bookings: 2 },
+    { period: "2026-03-09T00:00:00.000Z", gross: 15, refunded: 0, net: 15, bookings: 1 },
+  ]);
+  assert.deepEqual(body.totals, { gross: 65, refunded: 10, net: 55, bookings: 3 });
+});
+
+test("utilization compares confirmed and completed slots with the slots offered", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  await t.createCourt({ name: "Court 2", deletedAt: at("01") });
+  await t.createBooking(user, court, { status: "confirmed", date: at("02", "00:00"), slots: ["08:00 - 09:00", "09:00 - 10:00"] });
+  await t.createBooking(user, court, { status: "completed", date: at("03", "00:00"), slots: ["08:00 - 09:00"] });
+  await t.createBooking(user, court, { status: "cancelled", date: at("03", "00:00"), slots: ["10:00 - 11:00"] });
+
+  const body = await stats("utilization", "from=2026-03-02T00:00:00.000Z&to=2026-03-03T23:59:59.000Z");
+
+  assert.equal(body.courts.length, 1);
+  const [row] = body.courts;
+  // Three slots a day over two days
+  assert.equal(row.offeredSlots, 6);
+  assert.equal(row.bookedSlots, 3);
+  assert.equal(row.utilization, 0.5);
+  assert.deepEqual(row.slots, [
+    { slot: "08:00 - 09:00", booked: 2 },
+    { slot: "09:00 - 10:00", booked: 1 },
+  ]);
+  assert.deepEqual(body.slots, row.slots);
+});
+
+test("stats ranges must be in order, and utilization ranges at most a year", async () => {
+  const admin = await t.createUser("admin");
+
+  const reversed = await t.request("GET", "/admin/stats/revenue?from=2026-03-31&to=2026-03-01", { as: admin });
+  assert.equal(reversed.status, 400);
+  const tooLong = await t.request("GET", "/admin/stats/utilization?from=2024-01-01&to=2026-03-01", { as: admin });
+  assert.equal(tooLong.status, 400);
+});
+
+test("the funnel counts current statuses and every status a booking reached once", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const history = (...statuses) => statuses.map((to) => ({ to, at: at("02") }));
+  await bookOn(at("02"), user, court, {
+    status: "confirmed",
+    createdAt: at("02"),
+    statusHistory: history("approved", "awaiting_payment", "confirmed"),
+  });
+  // Sent back to payment after a failed attempt: still reached awaiting_payment once
+  await bookOn(at("03"), user, court, {
+    status: "awaiting_payment",
+    createdAt: at("03"),
+    statusHistory: history("approved", "awaiting_payment", "awaiting_payment"),
+  });
+  await bookOn(at("04"), user, court, { status: "cancelled", createdAt: at("04"), statusHistory: history("cancelled") });
+  const february = new Date("2026-02-20T10:00:00.000Z");
+  await bookOn(february, user, court, { status: "requested", createdAt: february });
+
+  const body = await stats("funnel");
+
+  assert.equal(body.current.confirmed, 1);
+  assert.equal(body.current.awaiting_payment, 1);
+  assert.equal(body.current.cancelled, 1);
+  assert.equal(body.current.requested, 0);
+  assert.equal(body.reached.approved, 2);
+  assert.equal(body.reached.awaiting_payment, 2);
+  assert.equal(body.reached.confirmed, 1);
+  assert.equal(body.reached.cancelled, 1);
+});
+
+test("coupon stats add up redemptions, discounts and distinct users per coupon", async () => {
+  const redemptions = t.db.collection("couponRedemptions");
+  const [summer, welcome] = [new ObjectId(), new ObjectId()];
+  await redemptions.insertMany([
+    { bookingId: new ObjectId(), couponId: summer, code: "SUMMER", discount: 4, userEmail: "a@test.dev", redeemedAt: at("02") },
+    { bookingId: new ObjectId(), couponId: summer, code: "SUMMER", discount: 6.5, userEmail: "a@test.dev", redeemedAt: at("09") },
+    { bookingId: new ObjectId(), couponId: summer, code: "SUMMER", discount: 2, userEmail: "b@test.dev", redeemedAt: at("12") },
+    { bookingId: new ObjectId(), couponId: welcome, code: "WELCOME", discount: 5, userEmail: "c@test.dev", redeemedAt: at("15") },
+    { bookingId: new ObjectId(), couponId: welcome, code: "WELCOME", discount: 5, userEmail: "d@test.dev", redeemedAt: new Date("2026-04-01T10:00:00.000Z") },
+  ]);
+
+  const body = await stats("coupons");
+
+  assert.deepEqual(
+    body.coupons.map(({ code, redemptions: count, discount, uniqueUsers }) => ({ code, count, discount, uniqueUsers })),
+    [
+      { code: "SUMMER", count: 3, discount: 12.5, uniqueUsers: 2 },
+      { code: "WELCOME", count: 1, discount: 5, uniqueUsers: 1 },
+    ]
+  );
+  assert.deepEqual(body.totals, { redemptions: 4, discount: 17.5 });
+});
+
+test("user stats count sign-ups and promotions to member per period", async () => {
+  await t.createUser("user", { createdAt: at("02") });
+  await t.createUser("user", { createdAt: at("03") });
+  await t.createUser("user", { createdAt: at("10"), deletedAt: at("11") });
+  const member = await t.createUser("member", { createdAt: at("12") });
+  await t.db.collection("auditLog").insertMany([
+    { entity: "user", entityId: member._id, action: "update", diff: { role: { from: "user", to: "member" } }, at: at("13") },
+    { entity: "user", entityId: member._id, action: "update", diff: { name: { from: "a", to: "b" } }, at: at("13") },
+  ]);
+
+  const body = await stats("users", `${MARCH}&interval=week`);
+
+  assert.deepEqual(body.newUsers, [
+    { period: "2026-03-02T00:00:00.000Z", count: 2 },
+    { period: "2026-03-09T00:00:00.000Z", count: 2 },
+  ]);
+  assert.deepEqual(body.memberConversions, [{ period: "2026-03-09T00:00:00.000Z", count: 1 }]);
+  assert.equal(body.totals.newUsers, 4);
+  assert.equal(body.totals.memberConversions, 1);
+  // Roles are a snapshot of every account that is not deleted, the asking admin included
+  assert.deepEqual(body.totals.byRole, { user: 2, member: 1, admin: 1 });
+});
+
+test("top users are ranked by what they spent net of refunds", async () => {
+  const court = await t.createCourt();
+  const big = await t.createUser("member", { name: "Big Spender" });
+  const small = await t.createUser("user");
+  await bookOn(at("02"), big, court, { paymentStatus: "paid", paidAt: at("02"), slots: ["08:00 - 09:00", "09:00 - 10:00"] });
+  await bookOn(at("03"), big, court, { paymentStatus: "partially_refunded", paidAt: at("03"), refundedAmount: 5 });
+  await bookOn(at("04"), small, court, { paymentStatus: "paid", paidAt: at("04") });
+  await bookOn(at("05"), small, court, { paymentStatus: "pending", paidAt: at("05") });
+
+  const body = await stats("top-users");
+
+  assert.deepEqual(body.users, [
+    { userEmail: big.email, name: "Big Spender", role: "member", bookings: 2, slots: 3, spent: 35 },
+    { userEmail: small.email, name: "user user", role: "user", bookings: 1, slots: 1, spent: 20 },
+  ]);
+  const limited = await stats("top-users", `${MARCH}&limit=1`);
+  assert.deepEqual(limited.users.map((u) => u.userEmail), [big.email]);
+});
@@ -0,0 +1,76 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+const date = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const slot = "08:00 - 09:00";
+
+// A waitlist entry for the slot; offered entries hold it like offerWaitlistSlot does
+async function waitlistEntry(user, court, { status = "waiting", offerExpiresAt } = {}) {
+  const entry = {
+    courtId: court._id,
+    date,
+    slot,
+    userEmail: user.email,
+    status,
+    createdAt: new Date(),
+    ...(offerExpiresAt ? { offeredAt: new Date(), offerExpiresAt } : {}),
+  };
+  const { insertedId } = await t.db.collection("waitlist").insertOne(entry);
+  if (status === "offered") {
+    await t.db.collection("slotReservations").insertOne({ courtId: court._id, date, slot, bookingId: insertedId });
+  }
+  return { ...entry, _id: insertedId };
+}
+
+const lapsed = () => new Date(Date.now() - 60 * 1000);
+const slotState = async (court) =>
+  (await t.request("GET", `/courts/${court._id}/availability?date=${date}`)).body.slots.find((s) => s.slot === slot).state;
+
+test("an open offer holds the slot", async () => {
+  const court = await t.createCourt();
+  await waitlistEntry(await t.createUser("user"), court, {
+    status: "offered",
+    offerExpiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  assert.equal(await slotState(court), "held");
+});
+
+test("a lapsed offer is released when availability is read", async () => {
+  const court = await t.createCourt();
+  const entry = await waitlistEntry(await t.createUser("user"), court, { status: "offered", offerExpiresAt: lapsed() });
+
+  assert.equal(await slotState(court), "free");
+  assert.equal((await t.db.collection("waitlist").findOne({ _id: entry._id })).status, "expired");
+});
+
+test("a lapsed offer passes the slot to the next user in line", async () => {
+  const court = await t.createCourt();
+  await waitlistEntry(await t.createUser("user"), court, { status: "offered", offerExpiresAt: lapsed() });
+  const next = await t.createUser("user");
+  const waiting = await waitlistEntry(next, court);
+
+  const res = await t.request("GET", `/courts/availability?date=${date}`);
+  assert.equal(res.body.courts[0].slots.find((s) => s.slot === slot).state, "held");
+  assert.equal((await t.db.collection("waitlist").findOne({ _id: waiting._id })).status, "offered");
+  assert.ok(t.notifications.some((n) => n.event === "waitlist_offered" && n.to === next.email));
+});
+
+test("a slot held by a lapsed offer can be booked", async () => {
+  const court = await t.createCourt();
+  await waitlistEntry(await t.createUser("user"), court, { status: "offered", offerExpiresAt: lapsed() });
+  const user = await t.createUser("user");
+
+  const res = await t.request("POST", "/bookings", {
+    as: user,
+    body: { courtId: court._id.toString(), userId: user._id.toString(), userEmail: user.email, slots: [slot], date },
+  });
+  assert.equal(res.status, 201);
+});
@@ -0,0 +1,216 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/app");
+
+let t;
+before(async () => {
+  t = await startTestApp();
+});
+after(() => t.close());
+beforeEach(() => t.reset());
+
+// Membership subscriptions are paid through invoices; their PaymentIntents and
+// charges have no booking and must not make Stripe retry the event
+const MEMBERSHIP_PAYMENT_EVENTS = [
+  ["payment_intent.succeeded", { id: "pi_sub_1", invoice: "in_1", metadata: {} }],
+  ["payment_intent.payment_failed", { id: "pi_sub_1", invoice: "in_1", metadata: {} }],
+  ["payment_intent.canceled", { id: "pi_sub_1", invoice: "in_1", metadata: {} }],
+  ["charge.refunded", { id: "ch_sub_1", invoice: "in_1", payment_intent: "pi_sub_1", refunded: true, amount_refunded: 3000 }],
+  ["charge.dispute.created", { id: "dp_1", charge: "ch_sub_1", payment_intent: "pi_sub_1", reason: "fraudulent", amount: 3000 }],
+  ["charge.refunded", { id: "ch_2", payment_intent: null, refunded: true, amount_refunded: 500 }],
+];
+
+for (const [type, object] of MEMBERSHIP_PAYMENT_EVENTS) {
+  test(`${type} without a booking is acknowledged`, async () => {
+    const res = await t.sendStripeEvent(type, object);
+    assert.equal(res.status, 200);
+  });
+}
+
+test("booking payments are still confirmed", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { status: "awaiting_payment", paymentIntentId: "pi_booking_1" });
+
+  const res = await t.sendStripeEvent("payment_intent.succeeded", {
+    id: "pi_booking_1",
+    metadata: { bookingId: booking._id.toString() },
+  });
+  assert.equal(res.status, 200);
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "confirmed");
+  assert.equal(stored.paymentStatus, "paid");
+});
+
+// An approved booking whose payment deadline passed before Stripe confirmed the payment
+async function expiredBookingWithIntent(overrides = {}) {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { status: "expired", paymentStatus: "cancelled", ...overrides });
+  const intent = await t.stripe.paymentIntents.create({
+    amount: 2000,
+    currency: "usd",
+    metadata: { bookingId: booking._id.toString() },
+  });
+  intent.status = "succeeded";
+  return { booking, intent };
+}
+
+test("a payment for an expired booking is refunded", async () => {
+  const { booking, intent } = await expiredBookingWithIntent();
+
+  const res = await t.sendStripeEvent("payment_intent.succeeded", intent);
+  assert.equal(res.status, 200);
+
+  const [call] = t.stripe.calls.filter((c) => c.name === "refunds.create");
+  assert.equal(call.args.payment_intent, intent.id);
+  assert.equal(call.args.amount, undefined);
+  assert.ok(call.options.idempotencyKey);
+
+  const stored = await t.findBooking(booking._id);
+  assert.equal(stored.status, "expired");
+  assert.equal(stored.paymentStatus, "refund_pending");
+  assert.equal(stored.latePayment.paymentIntentId, intent.id);
+  assert.equal(stored.refund.amount, 20);
+
+  // Stripe's refund confirmation settles it without reopening the booking
+  const refunded = await t.sendStripeEvent("charge.refunded", {
+    id: "ch_late",
+    payment_intent: intent.id,
+    refunded: true,
+    amount_refunded: 2000,
+  });
+  assert.equal(refunded.status, 200);
+  const settled = await t.findBooking(booking._id);
+  assert.equal(settled.status, "expired");
+  assert.equal(settled.paymentStatus, "refunded");
+});
+
+test("a redelivered late payment is refunded once", async () => {
+  const { intent } = await expiredBookingWithIntent();
+
+  await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_late_1");
+  await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_late_2");
+  assert.equal(t.stripe.calls.filter((c) => c.name === "refunds.create").length, 1);
+});
+
+test("a late series payment refunds only the occurrence's share", async () => {
+  const { insertedId: seriesId } = await t.db.collection("bookingSeries").insertOne({ userEmail: "x@test.dev" });
+  const { booking, intent } = await expiredBookingWithIntent({ seriesId });
+  intent.metadata = { seriesId: seriesId.toString() };
+  intent.amount = 4000;
+  await t.db.collection("bookings").updateOne({ _id: booking._id }, { $set: { paymentIntentId: intent.id } });
+
+  await t.sendStripeEvent("payment_intent.succeeded", intent);
+  const [call] = t.stripe.calls.filter((c) => c.name === "refunds.create");
+  assert.equal(call.args.amount, 2000);
+});
+
+test("a retried payment event finishes the side effects a failed attempt skipped", async () => {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  await t.db.collection("coupons").insertOne({ code: "TEN", discount: 10, status: "active", redemptionCount: 0 });
+  const booking = await t.createBooking(user, court, {
+    status: "awaiting_payment",
+    pricing: { lines: [{ slot: "08:00 - 09:00", price: 20 }], subtotal: 20, discount: 2, total: 18, couponCode: "TEN" },
+  });
+  const intent = { id: "pi_retry", metadata: { bookingId: booking._id.toString() } };
+
+  // The first delivery confirms the booking, then the redemption fails
+  const redemptions = t.db.collection("couponRedemptions");
+  const insertOne = redemptions.insertOne;
+  redemptions.insertOne = async () => {
+    throw new Error("connection reset");
+  };
+  const failed = await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_retry");
+  redemptions.insertOne = insertOne;
+  assert.equal(failed.status, 500);
+  assert.equal((await t.findBooking(booking._id)).status, "confirmed");
+
+  // Stripe's retry of the same event redeems, invoices and notifies
+  assert.equal((await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_retry")).status, 200);
+  assert.equal(await redemptions.countDocuments({ bookingId: booking._id }), 1);
+  assert.equal((await t.db.collection("coupons").findOne({ code: "TEN" })).redemptionCount, 1);
+  assert.equal(await t.db.collection("invoices").countDocuments({ bookingId: booking._id }), 1);
+
+  // Later reports of the same payment change nothing
+  await t.request("POST", "/payment-success", {
+    as: user,
+    body: { bookingId: booking._id.toString(), transactionId: (await paidIntentFor(booking)).id },
+  });
+  assert.equal(await redemptions.countDocuments({ bookingId: booking._id }), 1);
+  assert.equal(t.notifications.filter((n) => n.event === "payment_succeeded").length, 1);
+});
+
+async function paidIntentFor(booking) {
+  const intent = await t.stripe.paymentIntents.create({ amount: 1800, metadata: { bookingId: booking._id.toString() } });
+  intent.status = "succeeded";
+  return intent;
+}
+
+// A booking waiting for its payment, and the event that reports it
+async function pendingPayment() {
+  const user = await t.createUser("user");
+  const court = await t.createCourt();
+  const booking = await t.createBooking(user, court, { status: "awaiting_payment" });
+  const intent = { id: `pi_${booking._id}`, metadata: { bookingId: booking._id.toString() } };
+  return { booking, intent };
+}
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+test("an event whose delivery died mid-processing is processed once its lease lapses", async () => {
+  const { booking, intent } = await pendingPayment();
+  // What a delivery that timed out after recording the event leaves behind
+  await t.db.collection("stripeEvents").insertOne({
+    _id: "evt_crashed",
+    type: "payment_intent.succeeded",
+    receivedAt: minutesAgo(10),
+    leaseUntil: minutesAgo(5),
+  });
+
+  const res = await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_crashed");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.duplicate, undefined);
+  assert.equal((await t.findBooking(booking._id)).status, "confirmed");
+  assert.ok((await t.db.collection("stripeEvents").findOne({ _id: "evt_crashed" })).processedAt);
+});
+
+test("records from before leases are retried once they are older than the lease", async () => {
+  const { booking, intent } = await pendingPayment();
+  await t.db.collection("stripeEvents").insertOne({ _id: "evt_legacy", type: "payment_intent.succeeded", receivedAt: minutesAgo(60) });
+
+  assert.equal((await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_legacy")).status, 200);
+  assert.equal((await t.findBooking(booking._id)).status, "confirmed");
+});
+
+test("a redelivery while another delivery holds the lease asks Stripe to retry", async () => {
+  const { booking, intent } = await pendingPayment();
+  await t.db.collection("stripeEvents").insertOne({
+    _id: "evt_busy",
+    type: "payment_intent.succeeded",
+    receivedAt: new Date(),
+    leaseUntil: new Date(Date.now() + 60 * 1000),
+  });
+
+  const res = await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_busy");
+
+  assert.equal(res.status, 409);
+  assert.equal((await t.findBooking(booking._id)).status, "awaiting_payment");
+});
+
+test("a processed event is acknowledged as a duplicate", async () => {
+  const { intent } = await pendingPayment();
+  assert.equal((await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_twice")).status, 200);
+
+  const res = await t.sendStripeEvent("payment_intent.succeeded", intent, "evt_twice");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.duplicate, true);
+});
+
+test("unhandled event types are recorded as processed", async () => {
+  assert.equal((await t.sendStripeEvent("customer.created", { id: "cus_1" }, "evt_other")).status, 200);
+  assert.equal((await t.sendStripeEvent("customer.created", { id: "cus_1" }, "evt_other")).body.duplicate, true);
+});